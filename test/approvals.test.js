@@ -0,0 +1,93 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { startServer, stopServer, authHeader, createCompany, createAsset, createEmployee } = require('./helpers');
+
+describe('department manager steps', () => {
+  let app;
+  let db;
+  let acme;
+  let asset;
+  let manager;
+
+  before(async () => {
+    ({ app, db } = await startServer());
+    acme = await createCompany(db, 'Acme');
+    asset = await createAsset(db, acme, { productQuantity: 5 });
+    manager = await createEmployee(db, 'boss@acme.test');
+
+    await db.collection('companies').updateOne(
+      { _id: acme.company._id },
+      { $set: { approvalChain: [{ type: 'department_manager' }, { type: 'hr' }] } }
+    );
+
+    const now = new Date();
+    const department = {
+      companyId: acme.company._id,
+      name: 'Engineering',
+      managerEmail: manager.email,
+      managerName: manager.name,
+      createdAt: now,
+      updatedAt: now,
+    };
+    department._id = (await db.collection('departments').insertOne(department)).insertedId;
+
+    await db.collection('employeeAffiliations').insertMany(
+      ['jane@acme.test', 'john@acme.test'].map((employeeEmail) => ({
+        employeeEmail,
+        employeeName: employeeEmail.split('@')[0],
+        companyId: acme.company._id,
+        companyName: 'Acme',
+        departmentId: department._id,
+        departmentName: department.name,
+        status: 'active',
+        affiliationDate: now,
+      }))
+    );
+  });
+
+  after(stopServer);
+
+  const createRequest = async (email) => {
+    const employee = await createEmployee(db, email);
+    const res = await request(app)
+      .post('/requests')
+      .set(authHeader(employee))
+      .send({ assetId: asset._id.toString(), employeeEmail: employee.email, employeeName: employee.name });
+    assert.equal(res.status, 201);
+    assert.equal(res.body.approvalSteps[0].approverEmail, manager.email);
+    return res.body;
+  };
+
+  it('lets the named manager decide their step', async () => {
+    const pending = await createRequest('jane@acme.test');
+
+    const res = await request(app)
+      .post(`/requests/${pending._id}/decision`)
+      .set(authHeader(manager))
+      .send({ decision: 'approved' });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.currentStep, 1);
+    assert.equal(res.body.approvalSteps[0].override, undefined);
+  });
+
+  it('makes HR override a department step explicitly and records it', async () => {
+    const pending = await createRequest('john@acme.test');
+
+    const refused = await request(app)
+      .patch(`/requests/${pending._id}`)
+      .set(authHeader(acme.hr))
+      .send({ status: 'approved' });
+    assert.equal(refused.status, 403);
+    assert.equal(refused.body.code, 'OVERRIDE_REQUIRED');
+
+    const overridden = await request(app)
+      .patch(`/requests/${pending._id}`)
+      .set(authHeader(acme.hr))
+      .send({ status: 'approved', override: true });
+    assert.equal(overridden.status, 200);
+    assert.equal(overridden.body.approvalSteps[0].override, true);
+    assert.equal(overridden.body.approvalSteps[0].decidedBy, acme.hr.email);
+  });
+});
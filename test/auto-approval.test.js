@@ -0,0 +1,127 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { startServer, stopServer, authHeader, createCompany, createAsset, createEmployee } = require('./helpers');
+
+describe('auto-approval monthly limit', () => {
+  let app;
+  let db;
+  let acme;
+  let employee;
+
+  before(async () => {
+    ({ app, db } = await startServer());
+    acme = await createCompany(db, 'Acme');
+    employee = await createEmployee(db, 'jane@acme.test');
+
+    await db.collection('employeeAffiliations').insertOne({
+      employeeEmail: employee.email,
+      employeeName: employee.name,
+      companyId: acme.company._id,
+      companyName: 'Acme',
+      status: 'active',
+      affiliationDate: new Date(),
+    });
+
+    const rule = await request(app)
+      .post('/auto-approval-rules')
+      .set(authHeader(acme.hr))
+      .send({ name: 'One a month', maxPerEmployeePerMonth: 1 });
+    assert.equal(rule.status, 201);
+  });
+
+  after(stopServer);
+
+  it('auto-approves only one of several parallel requests', async () => {
+    const assets = [];
+    for (let i = 0; i < 4; i++) {
+      assets.push(await createAsset(db, acme, { productQuantity: 5 }));
+    }
+
+    const responses = await Promise.all(
+      assets.map((asset) =>
+        request(app)
+          .post('/requests')
+          .set(authHeader(employee))
+          .send({ assetId: asset._id.toString(), employeeEmail: employee.email, employeeName: employee.name })
+      )
+    );
+
+    assert.ok(responses.every((res) => res.status === 201));
+    assert.equal(responses.filter((res) => res.body.status === 'approved').length, 1);
+    assert.equal(responses.filter((res) => res.body.status === 'pending').length, 3);
+  });
+
+  it('leaves every step undecided when fulfilment fails', async () => {
+    const globex = await createCompany(db, 'Globex');
+    const manager = await createEmployee(db, 'boss@globex.test');
+    const requester = await createEmployee(db, 'jane@globex.test');
+    const now = new Date();
+
+    await db.collection('companies').updateOne(
+      { _id: globex.company._id },
+      { $set: { approvalChain: [{ type: 'department_manager' }, { type: 'hr' }] } }
+    );
+    const departmentId = (
+      await db.collection('departments').insertOne({
+        companyId: globex.company._id,
+        name: 'Engineering',
+        managerEmail: manager.email,
+        managerName: manager.name,
+        createdAt: now,
+        updatedAt: now,
+      })
+    ).insertedId;
+    await db.collection('employeeAffiliations').insertOne({
+      employeeEmail: requester.email,
+      employeeName: requester.name,
+      companyId: globex.company._id,
+      companyName: 'Globex',
+      departmentId,
+      departmentName: 'Engineering',
+      status: 'active',
+      affiliationDate: now,
+    });
+
+    const rule = await request(app)
+      .post('/auto-approval-rules')
+      .set(authHeader(globex.hr))
+      .send({ name: 'Everything', maxPerEmployeePerMonth: 5 });
+    assert.equal(rule.status, 201);
+
+    // Its only unit is in repair, so the stock count says yes but no unit can be handed out
+    const asset = await createAsset(db, globex, { productQuantity: 1 });
+    await db.collection('assets').updateOne({ _id: asset._id }, { $set: { trackUnits: true } });
+    await db.collection('assetUnits').insertOne({
+      companyId: globex.company._id,
+      assetId: asset._id,
+      productName: asset.productName,
+      serialNumber: 'SN-R',
+      assetTag: 'AT-R',
+      status: 'in_repair',
+      currentAssignmentId: null,
+      currentHolderEmail: null,
+      history: [],
+      createdAt: now,
+      updatedAt: now,
+    });
+
+    const res = await request(app)
+      .post('/requests')
+      .set(authHeader(requester))
+      .send({ assetId: asset._id.toString(), employeeEmail: requester.email, employeeName: requester.name });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.status, 'pending');
+    assert.equal(res.body.currentStep, 0);
+    assert.deepEqual(res.body.approvalSteps.map((step) => step.decision), [null, null]);
+    assert.equal(res.body.pendingApprover.email, manager.email);
+    assert.equal(res.body.autoApproval.error, 'NO_AVAILABLE_UNIT');
+
+    const stored = await db.collection('assets').findOne({ _id: asset._id });
+    assert.equal(stored.availableQuantity, 1);
+    const { _id: ruleId } = await db.collection('autoApprovalRules').findOne({ companyId: globex.company._id });
+    const usage = await db.collection('autoApprovalUsage').findOne({ ruleId, employeeEmail: requester.email });
+    assert.equal(usage.count, 0);
+  });
+});
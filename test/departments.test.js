@@ -0,0 +1,46 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { startServer, stopServer, authHeader, createCompany } = require('./helpers');
+
+describe('departments', () => {
+  let app;
+  let db;
+  let acme;
+
+  before(async () => {
+    ({ app, db } = await startServer());
+    acme = await createCompany(db, 'Acme');
+  });
+
+  after(stopServer);
+
+  it('renames the department on its members\' affiliations', async () => {
+    const created = await request(app).post('/departments').set(authHeader(acme.hr)).send({ name: 'Engineering' });
+    assert.equal(created.status, 201);
+
+    await db.collection('employeeAffiliations').insertOne({
+      employeeEmail: 'jane@acme.test',
+      employeeName: 'jane',
+      companyId: acme.company._id,
+      companyName: 'Acme',
+      status: 'active',
+      affiliationDate: new Date(),
+    });
+
+    const moved = await request(app)
+      .patch('/affiliations/department')
+      .set(authHeader(acme.hr))
+      .send({ employeeEmails: ['jane@acme.test'], departmentId: created.body._id });
+    assert.equal(moved.status, 200);
+
+    const renamed = await request(app)
+      .patch(`/departments/${created.body._id}`)
+      .set(authHeader(acme.hr))
+      .send({ name: 'Platform' });
+    assert.equal(renamed.status, 200);
+
+    const affiliation = await db.collection('employeeAffiliations').findOne({ employeeEmail: 'jane@acme.test' });
+    assert.equal(affiliation.departmentName, 'Platform');
+  });
+});
@@ -0,0 +1,117 @@
+const jwt = require('jsonwebtoken');
+const Stripe = require('stripe');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+
+const jwtSecret = 'test-secret';
+const stripeWebhookSecret = 'whsec_test';
+
+let replSet;
+let server;
+
+/**
+ * Start a single-node replica set (transactions need one) and load the app against it.
+ * Set MONGOMS_SYSTEM_BINARY to use a local mongod instead of downloading one.
+ */
+const startServer = async () => {
+  replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+
+  process.env.MONGODB_URI = replSet.getUri();
+  process.env.DB_NAME = 'assetverse-test';
+  process.env.JWT_SECRET = jwtSecret;
+  // Webhook signatures are checked locally; nothing here calls the Stripe API
+  process.env.STRIPE_SECRET_KEY = 'sk_test_unused';
+  process.env.STRIPE_WEBHOOK_SECRET = stripeWebhookSecret;
+
+  server = require('../index');
+  await server.connectDatabase();
+
+  return { app: server.app, db: server.client.db(process.env.DB_NAME), connectDatabase: server.connectDatabase };
+};
+
+const stopServer = async () => {
+  await server?.client.close();
+  await replSet?.stop();
+};
+
+/**
+ * Access token header for a user
+ */
+const authHeader = (user) => ({
+  Authorization: `Bearer ${jwt.sign({ email: user.email, role: user.role }, jwtSecret)}`,
+});
+
+/**
+ * A Stripe webhook event body and its signature header
+ */
+const signStripeEvent = (type, object) => {
+  const payload = JSON.stringify({ id: `evt_${Date.now()}`, type, data: { object } });
+  const signature = new Stripe('sk_test_unused').webhooks.generateTestHeaderString({
+    payload,
+    secret: stripeWebhookSecret,
+  });
+  return { payload, signature };
+};
+
+/**
+ * Insert a company with an owner HR
+ */
+const createCompany = async (db, name, { packageLimit = 10 } = {}) => {
+  const now = new Date();
+  const hrEmail = `hr@${name.toLowerCase()}.test`;
+
+  const company = {
+    name,
+    ownerEmail: hrEmail,
+    packageId: null,
+    packageLimit,
+    currentEmployees: 0,
+    subscription: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+  company._id = (await db.collection('companies').insertOne(company)).insertedId;
+
+  const hr = {
+    name: `${name} HR`,
+    email: hrEmail,
+    role: 'hr',
+    companyId: company._id,
+    companyRole: 'owner',
+    companyName: name,
+    isActive: true,
+    createdAt: now,
+  };
+  hr._id = (await db.collection('users').insertOne(hr)).insertedId;
+
+  return { company, hr };
+};
+
+/**
+ * Insert an asset owned by a company
+ */
+const createAsset = async (db, { company, hr }, { productQuantity = 1, availableQuantity = productQuantity } = {}) => {
+  const asset = {
+    productName: `${company.name} laptop`,
+    productType: 'Returnable',
+    productQuantity,
+    availableQuantity,
+    hrEmail: hr.email,
+    companyId: company._id,
+    companyName: company.name,
+    createdAt: new Date(),
+    updatedAt: new Date(),
+  };
+  asset._id = (await db.collection('assets').insertOne(asset)).insertedId;
+  return asset;
+};
+
+/**
+ * Insert an employee account
+ */
+const createEmployee = async (db, email) => {
+  const employee = { name: email.split('@')[0], email, role: 'employee', isActive: true, createdAt: new Date() };
+  employee._id = (await db.collection('users').insertOne(employee)).insertedId;
+  return employee;
+};
+
+module.exports = { startServer, stopServer, authHeader, signStripeEvent, createCompany, createAsset, createEmployee };
@@ -0,0 +1,93 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const request = require('supertest');
+const { startServer, stopServer, authHeader, createCompany, createEmployee } = require('./helpers');
+
+describe('employee invitations', () => {
+  let app;
+  let db;
+  let acme;
+
+  before(async () => {
+    ({ app, db } = await startServer());
+    acme = await createCompany(db, 'Acme');
+  });
+
+  after(stopServer);
+
+  // Invitations hold a seat while pending, as POST /invitations does
+  const invite = async (email) => {
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = new Date();
+    await db.collection('invitations').insertOne({
+      type: 'employee',
+      companyId: acme.company._id,
+      companyName: 'Acme',
+      email,
+      name: '',
+      invitedBy: acme.hr.email,
+      tokenHash: crypto.createHash('sha256').update(token).digest('hex'),
+      status: 'pending',
+      expiresAt: new Date(now.getTime() + 24 * 60 * 60 * 1000),
+      resendCount: 0,
+      createdAt: now,
+      updatedAt: now,
+    });
+    await db.collection('companies').updateOne({ _id: acme.company._id }, { $inc: { pendingInvitations: 1 } });
+    return token;
+  };
+
+  const seats = async () => {
+    const company = await db.collection('companies').findOne({ _id: acme.company._id });
+    return { used: company.currentEmployees || 0, held: company.pendingInvitations || 0 };
+  };
+
+  it('turns the held seat into a used one for a new account', async () => {
+    const token = await invite('new@acme.test');
+    const before = await seats();
+
+    const res = await request(app)
+      .post('/invitations/accept')
+      .send({ token, name: 'New Hire', password: 'Passw0rd!' });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.affiliation.status, 'active');
+    assert.deepEqual(await seats(), { used: before.used + 1, held: before.held - 1 });
+  });
+
+  it('reopens the invitation and keeps its seat when the employee is still offboarding', async () => {
+    const employee = await createEmployee(db, 'leaving@acme.test');
+    await db.collection('employeeAffiliations').insertOne({
+      employeeEmail: employee.email,
+      employeeName: employee.name,
+      companyId: acme.company._id,
+      companyName: 'Acme',
+      status: 'offboarding',
+      affiliationDate: new Date(),
+    });
+    const token = await invite(employee.email);
+    const before = await seats();
+
+    const res = await request(app).post('/invitations/accept').set(authHeader(employee)).send({ token });
+
+    assert.equal(res.status, 409);
+    assert.equal(res.body.code, 'OFFBOARDING');
+
+    const invitation = await db.collection('invitations').findOne({ email: employee.email });
+    assert.equal(invitation.status, 'pending');
+    assert.deepEqual(await seats(), before);
+  });
+
+  it('makes an existing account sign in to accept', async () => {
+    await createEmployee(db, 'existing@acme.test');
+    const token = await invite('existing@acme.test');
+
+    const res = await request(app).post('/invitations/accept').send({ token });
+
+    assert.equal(res.status, 401);
+    assert.equal(res.body.code, 'INVITEE_AUTH_REQUIRED');
+    const invitation = await db.collection('invitations').findOne({ email: 'existing@acme.test' });
+    assert.equal(invitation.status, 'pending');
+  });
+});
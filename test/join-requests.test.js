@@ -0,0 +1,70 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { startServer, stopServer, authHeader, createCompany, createEmployee } = require('./helpers');
+
+describe('join requests', () => {
+  let app;
+  let db;
+  let acme;
+
+  before(async () => {
+    ({ app, db } = await startServer());
+    acme = await createCompany(db, 'Acme');
+  });
+
+  after(stopServer);
+
+  it('keeps the affiliation and seat in line with a parallel approve and reject', async () => {
+    const employee = await createEmployee(db, 'joiner@acme.test');
+    const created = await request(app)
+      .post('/join-requests')
+      .set(authHeader(employee))
+      .send({ companyId: acme.company._id.toString() });
+    assert.equal(created.status, 201);
+
+    const responses = await Promise.all(
+      ['approved', 'rejected'].map((status) =>
+        request(app).patch(`/join-requests/${created.body._id}`).set(authHeader(acme.hr)).send({ status })
+      )
+    );
+    assert.equal(responses.filter((res) => res.status === 200).length, 1);
+
+    const joinRequest = await db.collection('joinRequests').findOne({ employeeEmail: employee.email });
+    const affiliation = await db.collection('employeeAffiliations').findOne({
+      employeeEmail: employee.email,
+      status: 'active',
+    });
+    const company = await db.collection('companies').findOne({ _id: acme.company._id });
+
+    if (joinRequest.status === 'approved') {
+      assert.ok(affiliation);
+      assert.equal(company.currentEmployees, 1);
+    } else {
+      assert.equal(joinRequest.status, 'rejected');
+      assert.equal(affiliation, null);
+      assert.equal(company.currentEmployees, 0);
+    }
+  });
+
+  it('leaves the request pending when approving finds no free seat', async () => {
+    const full = await createCompany(db, 'Full', { packageLimit: 1 });
+    await db.collection('companies').updateOne({ _id: full.company._id }, { $set: { currentEmployees: 1 } });
+
+    const employee = await createEmployee(db, 'late@full.test');
+    const created = await request(app)
+      .post('/join-requests')
+      .set(authHeader(employee))
+      .send({ companyId: full.company._id.toString() });
+
+    const res = await request(app)
+      .patch(`/join-requests/${created.body._id}`)
+      .set(authHeader(full.hr))
+      .send({ status: 'approved' });
+
+    assert.equal(res.status, 403);
+    assert.equal(res.body.code, 'PACKAGE_LIMIT');
+    const joinRequest = await db.collection('joinRequests').findOne({ employeeEmail: employee.email });
+    assert.equal(joinRequest.status, 'pending');
+  });
+});
@@ -0,0 +1,85 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { startServer, stopServer, authHeader, createCompany, createEmployee } = require('./helpers');
+
+describe('offboarding', () => {
+  let app;
+  let db;
+  let acme;
+
+  before(async () => {
+    ({ app, db } = await startServer());
+    acme = await createCompany(db, 'Acme');
+  });
+
+  after(stopServer);
+
+  // An active employee holding a seat, with one assignment per product type given
+  const onboard = async (email, productTypes) => {
+    const employee = await createEmployee(db, email);
+    const now = new Date();
+    await db.collection('employeeAffiliations').insertOne({
+      employeeEmail: email,
+      employeeName: employee.name,
+      companyId: acme.company._id,
+      companyName: 'Acme',
+      status: 'active',
+      affiliationDate: now,
+    });
+    await db.collection('companies').updateOne({ _id: acme.company._id }, { $inc: { currentEmployees: 1 } });
+    for (const productType of productTypes) {
+      await db.collection('assetassignments').insertOne({
+        employeeEmail: email,
+        companyId: acme.company._id,
+        productName: `${productType} item`,
+        productType,
+        status: 'assigned',
+        assignmentDate: now,
+      });
+    }
+    return employee;
+  };
+
+  const usedSeats = async () =>
+    (await db.collection('companies').findOne({ _id: acme.company._id })).currentEmployees;
+
+  it('waits for returns and writes off the rest', async () => {
+    const employee = await onboard('keeper@acme.test', ['Returnable', 'Non-returnable']);
+    const seatsBefore = await usedSeats();
+
+    const res = await request(app)
+      .patch('/affiliations/remove')
+      .set(authHeader(acme.hr))
+      .send({ employeeEmail: employee.email });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'offboarding');
+    assert.equal(res.body.pendingReturns, 1);
+    assert.equal(res.body.writtenOff, 1);
+    assert.equal(await usedSeats(), seatsBefore);
+
+    const affiliation = await db.collection('employeeAffiliations').findOne({ employeeEmail: employee.email });
+    assert.equal(affiliation.status, 'offboarding');
+  });
+
+  it('offboards once and releases one seat on a double submit', async () => {
+    const employee = await onboard('leaver@acme.test', []);
+    const seatsBefore = await usedSeats();
+
+    const responses = await Promise.all(
+      [1, 2].map(() =>
+        request(app).patch('/affiliations/remove').set(authHeader(acme.hr)).send({ employeeEmail: employee.email })
+      )
+    );
+
+    const ok = responses.filter((res) => res.status === 200);
+    assert.equal(ok.length, 1);
+    assert.equal(ok[0].body.status, 'inactive');
+    assert.ok(responses.every((res) => [200, 404].includes(res.status)));
+
+    const affiliation = await db.collection('employeeAffiliations').findOne({ employeeEmail: employee.email });
+    assert.equal(affiliation.status, 'inactive');
+    assert.equal(await usedSeats(), seatsBefore - 1);
+  });
+});
@@ -0,0 +1,60 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { startServer, stopServer, signStripeEvent, createCompany } = require('./helpers');
+
+describe('stripe webhook', () => {
+  let app;
+  let db;
+  let acme;
+  let standard;
+
+  before(async () => {
+    ({ app, db } = await startServer());
+    acme = await createCompany(db, 'Acme', { packageLimit: 5 });
+    standard = await db.collection('packages').findOne({ name: 'Standard' });
+  });
+
+  after(stopServer);
+
+  const sendEvent = (type, object) => {
+    const { payload, signature } = signStripeEvent(type, object);
+    return request(app)
+      .post('/stripe/webhook')
+      .set('Content-Type', 'application/json')
+      .set('Stripe-Signature', signature)
+      .send(payload);
+  };
+
+  it('does not re-apply a refunded payment when the checkout event is replayed', async () => {
+    const session = {
+      id: 'cs_test_refund',
+      mode: 'payment',
+      payment_status: 'paid',
+      payment_intent: 'pi_test_refund',
+      amount_total: 800,
+      metadata: {
+        companyId: acme.company._id.toString(),
+        hrEmail: acme.hr.email,
+        packageId: standard._id.toString(),
+      },
+    };
+
+    assert.equal((await sendEvent('checkout.session.completed', session)).status, 200);
+    let company = await db.collection('companies').findOne({ _id: acme.company._id });
+    assert.equal(company.packageLimit, 10);
+
+    const refund = { id: 'ch_test_refund', payment_intent: 'pi_test_refund', amount_refunded: 800 };
+    assert.equal((await sendEvent('charge.refunded', refund)).status, 200);
+
+    assert.equal((await sendEvent('checkout.session.completed', session)).status, 200);
+
+    const payment = await db.collection('payments').findOne({ sessionId: session.id });
+    assert.equal(payment.status, 'refunded');
+    assert.equal(payment.statusHistory.at(-1).status, 'refunded');
+
+    company = await db.collection('companies').findOne({ _id: acme.company._id });
+    assert.equal(company.packageLimit, 5);
+    assert.equal(company.packageId, null);
+  });
+});
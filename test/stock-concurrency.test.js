@@ -0,0 +1,73 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { startServer, stopServer, authHeader, createCompany, createAsset, createEmployee } = require('./helpers');
+
+describe('stock under concurrent writes', () => {
+  let app;
+  let db;
+  let acme;
+
+  before(async () => {
+    ({ app, db } = await startServer());
+    acme = await createCompany(db, 'Acme');
+  });
+
+  after(stopServer);
+
+  // Each employee asks for the asset through the API so the requests carry real approval steps
+  const requestAsset = async (asset, count, prefix) => {
+    const requests = [];
+    for (let i = 0; i < count; i++) {
+      const employee = await createEmployee(db, `${prefix}${i}@acme.test`);
+      const res = await request(app)
+        .post('/requests')
+        .set(authHeader(employee))
+        .send({ assetId: asset._id.toString(), employeeEmail: employee.email, employeeName: employee.name });
+      assert.equal(res.status, 201);
+      requests.push(res.body);
+    }
+    return requests;
+  };
+
+  it('approves only one of several parallel requests for the last unit', async () => {
+    const asset = await createAsset(db, acme, { productQuantity: 1 });
+    const requests = await requestAsset(asset, 5, 'single');
+
+    const responses = await Promise.all(
+      requests.map((pending) =>
+        request(app).patch(`/requests/${pending._id}`).set(authHeader(acme.hr)).send({ status: 'approved' })
+      )
+    );
+
+    const approved = responses.filter((res) => res.status === 200);
+    assert.equal(approved.length, 1);
+    for (const res of responses.filter((res) => res.status !== 200)) {
+      assert.equal(res.status, 400);
+      assert.equal(res.body.code, 'NO_AVAILABLE_QUANTITY');
+    }
+
+    const stored = await db.collection('assets').findOne({ _id: asset._id });
+    assert.equal(stored.availableQuantity, 0);
+    assert.equal(await db.collection('assetassignments').countDocuments({ assetId: asset._id, status: 'assigned' }), 1);
+    assert.equal(await db.collection('requests').countDocuments({ assetId: asset._id, status: 'pending' }), 4);
+  });
+
+  it('keeps the counts consistent when an edit races approvals', async () => {
+    const asset = await createAsset(db, acme, { productQuantity: 2 });
+    const requests = await requestAsset(asset, 2, 'edit');
+
+    await Promise.all([
+      ...requests.map((pending) =>
+        request(app).patch(`/requests/${pending._id}`).set(authHeader(acme.hr)).send({ status: 'approved' })
+      ),
+      request(app).put(`/assets/${asset._id}`).set(authHeader(acme.hr)).send({ productQuantity: 1 }),
+    ]);
+
+    const stored = await db.collection('assets').findOne({ _id: asset._id });
+    const assigned = await db.collection('assetassignments').countDocuments({ assetId: asset._id, status: 'assigned' });
+
+    assert.ok(stored.availableQuantity >= 0);
+    assert.equal(stored.productQuantity - stored.availableQuantity, assigned);
+  });
+});
@@ -0,0 +1,128 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { startServer, stopServer, authHeader, createCompany, createAsset, createEmployee } = require('./helpers');
+
+describe('company isolation', () => {
+  let app;
+  let db;
+  let acme;
+  let globex;
+  let asset;
+  let assetRequest;
+  let department;
+
+  before(async () => {
+    ({ app, db } = await startServer());
+
+    acme = await createCompany(db, 'Acme');
+    globex = await createCompany(db, 'Globex');
+    asset = await createAsset(db, acme, { productQuantity: 2, availableQuantity: 1 });
+
+    const employee = await createEmployee(db, 'jane@acme.test');
+    const now = new Date();
+
+    department = { companyId: acme.company._id, name: 'Engineering', createdAt: now, updatedAt: now };
+    department._id = (await db.collection('departments').insertOne(department)).insertedId;
+
+    await db.collection('employeeAffiliations').insertOne({
+      employeeEmail: employee.email,
+      employeeName: employee.name,
+      companyId: acme.company._id,
+      companyName: 'Acme',
+      departmentId: department._id,
+      status: 'active',
+      affiliationDate: now,
+    });
+
+    await db.collection('assetassignments').insertOne({
+      assetId: asset._id,
+      productName: asset.productName,
+      employeeEmail: employee.email,
+      employeeName: employee.name,
+      companyId: acme.company._id,
+      companyName: 'Acme',
+      assignedDate: now,
+      status: 'assigned',
+    });
+
+    assetRequest = {
+      assetId: asset._id,
+      assetName: asset.productName,
+      employeeEmail: employee.email,
+      employeeName: employee.name,
+      hrEmail: acme.hr.email,
+      companyId: acme.company._id,
+      companyName: 'Acme',
+      requestDate: now,
+      status: 'pending',
+      requestStatus: 'pending',
+      approvalSteps: [
+        { step: 0, type: 'hr', approverEmail: null, approverName: null, decision: null, decidedBy: null, decidedAt: null, comment: null },
+      ],
+      currentStep: 0,
+      pendingApprover: { type: 'hr', email: null },
+    };
+    assetRequest._id = (await db.collection('requests').insertOne(assetRequest)).insertedId;
+  });
+
+  after(stopServer);
+
+  it('lets a company read its own assignments', async () => {
+    const res = await request(app).get(`/assigned-assets/${asset._id}`).set(authHeader(acme.hr));
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.length, 1);
+  });
+
+  it('PUT /assets/:assetId answers 404 for another company\'s asset', async () => {
+    const res = await request(app)
+      .put(`/assets/${asset._id}`)
+      .set(authHeader(globex.hr))
+      .send({ productName: 'Taken over', productQuantity: 50 });
+
+    assert.equal(res.status, 404);
+    const stored = await db.collection('assets').findOne({ _id: asset._id });
+    assert.equal(stored.productName, 'Acme laptop');
+    assert.equal(stored.productQuantity, 2);
+  });
+
+  it('DELETE /assets/:assetId answers 404 for another company\'s asset', async () => {
+    const res = await request(app).delete(`/assets/${asset._id}`).set(authHeader(globex.hr));
+
+    assert.equal(res.status, 404);
+    assert.ok(await db.collection('assets').findOne({ _id: asset._id }));
+  });
+
+  it('PATCH /requests/:requestId answers 404 for another company\'s request', async () => {
+    const res = await request(app)
+      .patch(`/requests/${assetRequest._id}`)
+      .set(authHeader(globex.hr))
+      .send({ status: 'rejected', rejectionReason: 'Not yours' });
+
+    assert.equal(res.status, 404);
+    const stored = await db.collection('requests').findOne({ _id: assetRequest._id });
+    assert.equal(stored.status, 'pending');
+  });
+
+  it('GET /assigned-assets/:assetId answers 404 for another company\'s asset', async () => {
+    const res = await request(app).get(`/assigned-assets/${asset._id}`).set(authHeader(globex.hr));
+
+    assert.equal(res.status, 404);
+  });
+
+  it('GET /company-assignments answers 404 for another company\'s department', async () => {
+    const res = await request(app)
+      .get(`/company-assignments?departmentId=${department._id}`)
+      .set(authHeader(globex.hr));
+
+    assert.equal(res.status, 404);
+  });
+
+  it('GET /company-assignments never lists another company\'s assignments', async () => {
+    const res = await request(app).get('/company-assignments?companyName=Acme').set(authHeader(globex.hr));
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, []);
+  });
+});
@@ -0,0 +1,105 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { startServer, stopServer, authHeader, createCompany, createAsset, createEmployee } = require('./helpers');
+
+describe('unit tracking', () => {
+  let app;
+  let db;
+  let acme;
+
+  before(async () => {
+    ({ app, db } = await startServer());
+    acme = await createCompany(db, 'Acme');
+  });
+
+  after(stopServer);
+
+  const requestAndApprove = async (asset, email) => {
+    const employee = await createEmployee(db, email);
+    const created = await request(app)
+      .post('/requests')
+      .set(authHeader(employee))
+      .send({ assetId: asset._id.toString(), employeeEmail: employee.email, employeeName: employee.name });
+    assert.equal(created.status, 201);
+
+    const approved = await request(app)
+      .patch(`/requests/${created.body._id}`)
+      .set(authHeader(acme.hr))
+      .send({ status: 'approved' });
+    assert.equal(approved.status, 200);
+
+    return db.collection('assetassignments').findOne({ assetId: asset._id, employeeEmail: employee.email });
+  };
+
+  it('assigns stock that has no registered unit once the units are out', async () => {
+    const asset = await createAsset(db, acme, { productQuantity: 2 });
+
+    const registered = await request(app)
+      .post(`/assets/${asset._id}/units`)
+      .set(authHeader(acme.hr))
+      .send({ units: [{ serialNumber: 'SN-1' }] });
+    assert.equal(registered.status, 201);
+
+    const first = await requestAndApprove(asset, 'first@acme.test');
+    assert.equal(first.serialNumber, 'SN-1');
+
+    const second = await requestAndApprove(asset, 'second@acme.test');
+    assert.equal(second.unitId, undefined);
+
+    const stored = await db.collection('assets').findOne({ _id: asset._id });
+    assert.equal(stored.availableQuantity, 0);
+  });
+
+  it('assigns quantity added to a tracked asset', async () => {
+    const asset = await createAsset(db, acme, { productQuantity: 1 });
+
+    await request(app)
+      .post(`/assets/${asset._id}/units`)
+      .set(authHeader(acme.hr))
+      .send({ units: [{ serialNumber: 'SN-2' }] });
+    await requestAndApprove(asset, 'third@acme.test');
+
+    const raised = await request(app)
+      .put(`/assets/${asset._id}`)
+      .set(authHeader(acme.hr))
+      .send({ productQuantity: 2 });
+    assert.equal(raised.status, 200);
+    assert.equal(raised.body.availableQuantity, 1);
+
+    const added = await requestAndApprove(asset, 'fourth@acme.test');
+    assert.equal(added.unitId, undefined);
+  });
+
+  it('leaves lost and scrapped units out of the quantity floor', async () => {
+    const asset = await createAsset(db, acme, { productQuantity: 2 });
+    await db.collection('assets').updateOne({ _id: asset._id }, { $set: { trackUnits: true } });
+
+    const unit = (status, serialNumber) => ({
+      companyId: acme.company._id,
+      assetId: asset._id,
+      productName: asset.productName,
+      serialNumber,
+      assetTag: `AT-${serialNumber}`,
+      status,
+      currentAssignmentId: null,
+      currentHolderEmail: null,
+      history: [],
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    });
+    await db.collection('assetUnits').insertMany([
+      unit('available', 'SN-3'),
+      unit('lost', 'SN-4'),
+      unit('scrapped', 'SN-5'),
+    ]);
+
+    const res = await request(app)
+      .put(`/assets/${asset._id}`)
+      .set(authHeader(acme.hr))
+      .send({ productQuantity: 1 });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.productQuantity, 1);
+  });
+});
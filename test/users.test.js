@@ -0,0 +1,64 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+const request = require('supertest');
+const { startServer, stopServer, authHeader, createCompany } = require('./helpers');
+
+describe('users and companies', () => {
+  let app;
+  let db;
+  let connectDatabase;
+
+  before(async () => {
+    ({ app, db, connectDatabase } = await startServer());
+  });
+
+  after(stopServer);
+
+  it('changes nothing when the profile update fails its password check', async () => {
+    const acme = await createCompany(db, 'Acme');
+    await db.collection('users').updateOne(
+      { _id: acme.hr._id },
+      { $set: { password: await bcrypt.hash('old-password', 10) } }
+    );
+
+    const res = await request(app)
+      .put(`/users/${acme.hr.email}`)
+      .set(authHeader(acme.hr))
+      .send({ companyName: 'Renamed', password: 'new-password', currentPassword: 'wrong-password' });
+
+    assert.equal(res.status, 401);
+    const company = await db.collection('companies').findOne({ _id: acme.company._id });
+    assert.equal(company.name, 'Acme');
+    const hr = await db.collection('users').findOne({ _id: acme.hr._id });
+    assert.equal(hr.companyName, 'Acme');
+  });
+
+  it('gives legacy HRs sharing a company name separate companies', async () => {
+    const now = new Date();
+    const legacyHr = (email) => ({ name: email, email, role: 'hr', companyName: 'Initech', isActive: true, createdAt: now });
+    await db.collection('users').insertMany([legacyHr('one@initech.test'), legacyHr('two@other.test')]);
+    await db.collection('assets').insertMany([
+      { productName: 'Stapler', productQuantity: 1, availableQuantity: 1, hrEmail: 'one@initech.test', companyName: 'Initech' },
+      { productName: 'Printer', productQuantity: 1, availableQuantity: 1, hrEmail: 'two@other.test', companyName: 'Initech' },
+    ]);
+
+    await connectDatabase();
+
+    const one = await db.collection('users').findOne({ email: 'one@initech.test' });
+    const two = await db.collection('users').findOne({ email: 'two@other.test' });
+    assert.ok(one.companyId && two.companyId);
+    assert.notEqual(one.companyId.toString(), two.companyId.toString());
+    assert.equal(one.companyRole, 'owner');
+    assert.equal(two.companyRole, 'owner');
+
+    const companies = await db.collection('companies').find({ name: 'Initech' }).toArray();
+    assert.equal(companies.length, 2);
+    assert.ok(companies.every((company) => company.nameCollision === true));
+
+    const stapler = await db.collection('assets').findOne({ productName: 'Stapler' });
+    const printer = await db.collection('assets').findOne({ productName: 'Printer' });
+    assert.equal(stapler.companyId.toString(), one.companyId.toString());
+    assert.equal(printer.companyId.toString(), two.companyId.toString());
+  });
+});